@@ -1,10 +1,37 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getInput, setFailed } = require('@actions/core');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { getInput, setFailed, setOutput, summary } = require('@actions/core');
 const { BlobServiceClient } = require('@azure/storage-blob');
 const { XMLParser, XMLBuilder } = require('fast-xml-parser');
 const { get } = require('http');
+const defaultSitemapConfig = require('./sitemap-config.json');
+
+// Exit code of every sitemap workflow stage, so a failed run shows where it broke
+const STAGE_EXIT_CODES = {
+    'load-config': 8,
+    'fetch-eds-sitemap': 2,
+    'collect-blob-pages': 3,
+    'health-check': 4,
+    'compare-published': 5,
+    'url-count-guard': 6,
+    'upload-sitemap': 7,
+    'inspect-content': 9,
+    'lastmod': 10,
+    'filter-urls': 11
+};
+
+class SitemapStageError extends Error {
+    constructor(stage, cause) {
+        super(`Sitemap workflow failed in stage ${stage}: ${cause?.message || cause}`);
+        this.name = 'SitemapStageError';
+        this.stage = stage;
+        this.exitCode = STAGE_EXIT_CODES[stage] ?? 1;
+        this.cause = cause;
+    }
+}
 
 const main = async () => {    
     const connectionStringRead = getInput('connection-string-non-main'); // to read from
@@ -37,12 +64,327 @@ const main = async () => {
     const accessPolicy = getInput('public-access-policy');
     const indexFile = getInput('index-file') || 'index.html';
     const errorFile = getInput('error-file');
+    const groupByProduct = getInput('group-by-product') === 'true'; // one sitemap per top-level route segment
+    const sitemapCompression = getInput('sitemap-compression') || 'none'; // none, gzip (only .xml.gz) or both
+    if (!["none", "gzip", "both"].includes(sitemapCompression)) {
+        throw new Error(`Unknown sitemap-compression: ${sitemapCompression}`);
+    }
+
+    function getNumberInput(name, defaultValue) {
+        const value = getInput(name);
+        if (!value) return defaultValue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return number;
+    }
+
+    // Newline or comma separated list input
+    const getListInput = name => getInput(name).split(/[\n,]/).map(entry => entry.trim()).filter(Boolean);
+
+    // URL health check tuning: parallel requests, requests per second (0 = no cap) and per-request timeout in ms
+    const healthCheckConcurrency = Math.max(1, Math.floor(getNumberInput('health-check-concurrency', 10)));
+    const healthCheckRps = getNumberInput('health-check-rps', 0);
+    const healthCheckTimeout = getNumberInput('health-check-timeout', 10000);
+    // Retries with exponential backoff for network errors, 429s and 5xx, then what to do with urls that still fail
+    const healthCheckRetries = Math.floor(getNumberInput('health-check-retries', 2));
+    const healthCheckRetryDelay = getNumberInput('health-check-retry-delay', 500);
+    const healthCheckFailurePolicy = getInput('health-check-failure-policy') || 'drop';
+    if (!["keep", "drop", "fail"].includes(healthCheckFailurePolicy)) {
+        throw new Error(`Unknown health-check-failure-policy: ${healthCheckFailurePolicy}`);
+    }
+    const followRedirects = getInput('follow-redirects') === 'true'; // replace redirected urls by their final target on siteUrl
+    // HEAD statuses that are retried as a one byte GET, and whether any non-2xx status (not only 404) drops a url
+    const headFallbackStatusList = getInput('head-fallback-statuses') ? getListInput('head-fallback-statuses') : ['403', '405'];
+    const invalidHeadFallbackStatuses = headFallbackStatusList.filter(status => !/^[1-5]\d\d$/.test(status));
+    if (invalidHeadFallbackStatuses.length) {
+        throw new Error(`Invalid head-fallback-statuses: ${invalidHeadFallbackStatuses.join(', ')}`);
+    }
+    const headFallbackStatuses = headFallbackStatusList.map(Number);
+    const strictStatusCheck = getInput('strict-status-check') === 'true';
+    // Validate blob-sourced pages from storage (blob) instead of requesting them from the public site (network)
+    const blobValidation = getInput('blob-validation') || 'network';
+    if (!["network", "blob"].includes(blobValidation)) {
+        throw new Error(`Unknown blob-validation: ${blobValidation}`);
+    }
+    const minPageSize = getNumberInput('min-page-size', 1);
+    // Texts only found on error pages, one per line since they may contain commas
+    const errorPageFingerprints = getInput('error-page-fingerprints').split('\n').map(entry => entry.trim()).filter(Boolean);
+
+    // Read every page for robots noindex and canonical links: off, http, or blob (blob-sourced pages read from storage)
+    const contentInspection = getInput('content-inspection') || 'off';
+    if (!["off", "http", "blob"].includes(contentInspection)) {
+        throw new Error(`Unknown content-inspection: ${contentInspection}`);
+    }
+    // Where lastmod comes from: the blob timestamp, content-hash (blob MD5 compared with a state file kept next to
+    // the sitemap, lastmod only moves when the content changed) or meta (article:modified_time meta tag of every page)
+    const lastmodStrategy = getInput('lastmod-strategy') || 'blob-timestamp';
+    if (!["blob-timestamp", "content-hash", "meta"].includes(lastmodStrategy)) {
+        throw new Error(`Unknown lastmod-strategy: ${lastmodStrategy}`);
+    }
+    const lastmodStateFile = getInput('lastmod-state-file') || 'sitemap-lastmod.json';
+    const LASTMOD_STATE_VERSION = 1;
+    // hreflang alternates between locale variants of a route: a regex matching locale path segments (ja, fr, ...),
+    // routes without such a segment belong to the default locale
+    const hreflangLocalePatternInput = getInput('hreflang-locale-pattern');
+    let hreflangLocalePattern = null;
+    if (hreflangLocalePatternInput) {
+        try {
+            hreflangLocalePattern = new RegExp(hreflangLocalePatternInput);
+        } catch (err) {
+            throw new Error(`Invalid hreflang-locale-pattern: ${err.message}`);
+        }
+    }
+    const hreflangDefaultLocale = getInput('hreflang-default-locale') || 'en';
+    // Image sitemap extension from the <img> tags of every page, capped per page and limited to images on the site
+    // host or one of the extra image hosts (CDNs)
+    const imageSitemap = getInput('image-sitemap') === 'true';
+    const maxImagesPerPage = Math.floor(getNumberInput('max-images-per-page', 100));
+    const extraImageHosts = getListInput('image-hosts');
+    // Video sitemap extension from JSON-LD VideoObject blocks and known video player embeds of every page
+    const videoSitemap = getInput('video-sitemap') === 'true';
+    // Upload a robots.txt for deploy_env next to the sitemap
+    const robotsTxt = getInput('robots-txt') === 'true';
+    // Drop pages answering 200 with the content of the error page (or an error page fingerprint)
+    const soft404Detection = getInput('soft-404-detection') === 'true';
+
+    // EDS origin to read sitemap.xml from: an explicit origin (forks, local stand-in server) or the branch preview of adp-devsite
+    const edsBranch = getInput('eds-branch') || 'main';
+    const edsOriginInput = getInput('eds-origin') || `https://${edsBranch}--adp-devsite--adobedocs.aem.page/`;
+    const edsOrigin = edsOriginInput.endsWith('/') ? edsOriginInput : `${edsOriginInput}/`;
+    // Sitemaps or sitemap indexes to merge, defaults to the sitemap.xml of edsOrigin
+    const edsSitemaps = getListInput('eds-sitemaps');
+    if (!edsSitemaps.length) {
+        edsSitemaps.push(new URL('sitemap.xml', edsOrigin).href);
+    }
+
+    const configFile = getInput('config-file'); // include/exclude rules, defaults to sitemap-config.json of this action
+    // Restrict the sitemap to some products: route prefixes (photoshop/) and globs over the url path
+    const includePrefixes = getListInput('include-prefixes').map(prefix => prefix.replace(/^\/+|\/+$/g, '')).filter(Boolean);
+    const includeGlobs = getListInput('include-patterns');
+    const SITEMAP_CONFIG_VERSION = 1;
+    const SITEMAP_CONFIG_KEYS = {
+        exclude: ['globs', 'regexes', 'privateSites'],
+        include: ['globs', 'regexes']
+    };
+
+    // Glob over url paths: ** matches across segments, * and ? within one segment
+    function globToRegExp(glob) {
+        const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    const SITEMAP_RULE_KEYS = ['globs', 'regexes', 'minDepth', 'maxDepth', 'minAgeDays', 'maxAgeDays', 'priority', 'changefreq'];
+    const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+    // Check the string lists (globs, regexes, privateSites) of one config object
+    function validateConfigLists(prefix, value, keys, errors) {
+        for (const key of keys) {
+            const entries = value[key];
+            if (entries === undefined) continue;
+            if (!Array.isArray(entries)) {
+                errors.push(`${prefix}.${key} must be an array`);
+                continue;
+            }
+            entries.forEach((entry, i) => {
+                const name = `${prefix}.${key}[${i}]`;
+                if (typeof entry !== 'string' || !entry) {
+                    errors.push(`${name} must be a non-empty string`);
+                } else if (key === 'globs' && !entry.startsWith('/') && !entry.startsWith('*')) {
+                    errors.push(`${name} "${entry}" must start with / or *, globs are matched against the url path`);
+                } else if (key === 'privateSites' && entry.includes('/')) {
+                    errors.push(`${name} "${entry}" must be a single top-level folder name`);
+                } else if (key === 'regexes') {
+                    try {
+                        new RegExp(entry);
+                    } catch (err) {
+                        errors.push(`${name} is not a valid regex: ${err.message}`);
+                    }
+                }
+            });
+        }
+    }
+
+    // Check one priority/changefreq rule
+    function validateSitemapRule(rule, name, errors) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`${name} must be an object`);
+            return;
+        }
+        for (const key of Object.keys(rule)) {
+            if (!SITEMAP_RULE_KEYS.includes(key)) errors.push(`unknown key "${name}.${key}"`);
+        }
+        validateConfigLists(name, rule, ['globs', 'regexes'], errors);
+        for (const key of ['minDepth', 'maxDepth', 'minAgeDays', 'maxAgeDays']) {
+            if (rule[key] !== undefined && !(typeof rule[key] === 'number' && rule[key] >= 0)) {
+                errors.push(`${name}.${key} must be a number >= 0`);
+            }
+        }
+        if (rule.priority !== undefined && !(typeof rule.priority === 'number' && rule.priority >= 0 && rule.priority <= 1)) {
+            errors.push(`${name}.priority must be a number between 0 and 1`);
+        }
+        if (rule.changefreq !== undefined && !CHANGEFREQ_VALUES.includes(rule.changefreq)) {
+            errors.push(`${name}.changefreq must be one of ${CHANGEFREQ_VALUES.join(', ')}`);
+        }
+    }
+
+    // Check the config against the supported schema, returns the list of problems found
+    function validateSitemapConfig(config) {
+        const errors = [];
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return ['config must be a JSON object'];
+        }
+        if (config.version !== SITEMAP_CONFIG_VERSION) {
+            errors.push(`version must be ${SITEMAP_CONFIG_VERSION}, got ${JSON.stringify(config.version)}`);
+        }
+        for (const key of Object.keys(config)) {
+            if (key !== 'version' && key !== 'rules' && !SITEMAP_CONFIG_KEYS[key]) errors.push(`unknown key "${key}"`);
+        }
+
+        for (const [section, keys] of Object.entries(SITEMAP_CONFIG_KEYS)) {
+            const value = config[section];
+            if (value === undefined) continue;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${section} must be an object`);
+                continue;
+            }
+            for (const key of Object.keys(value)) {
+                if (!keys.includes(key)) errors.push(`unknown key "${section}.${key}"`);
+            }
+            validateConfigLists(section, value, keys, errors);
+        }
+
+        if (config.rules !== undefined) {
+            if (Array.isArray(config.rules)) {
+                config.rules.forEach((rule, i) => validateSitemapRule(rule, `rules[${i}]`, errors));
+            } else {
+                errors.push('rules must be an array');
+            }
+        }
+        return errors;
+    }
+
+    // Read and validate the config file (or the bundled default) and compile its patterns
+    async function loadSitemapConfig() {
+        let config = defaultSitemapConfig;
+        const configName = configFile || 'default sitemap-config.json';
+        if (configFile) {
+            const configText = await fs.promises.readFile(path.resolve(configFile), 'utf-8');
+            try {
+                config = JSON.parse(configText);
+            } catch (err) {
+                throw new Error(`Sitemap config ${configName} is not valid JSON: ${err.message}`);
+            }
+        }
+
+        const errors = validateSitemapConfig(config);
+        if (errors.length) {
+            throw new Error(`Invalid sitemap config ${configName}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        }
+
+        const invalidGlobs = includeGlobs.filter(glob => !glob.startsWith('/') && !glob.startsWith('*'));
+        if (invalidGlobs.length) {
+            throw new Error(`Invalid include-patterns, globs are matched against the url path and must start with / or *: ${invalidGlobs.join(', ')}`);
+        }
+
+        const compilePatterns = ({ globs = [], regexes = [] } = {}) => [
+            ...globs.map(globToRegExp),
+            ...regexes.map(regex => new RegExp(regex))
+        ];
+        const includePatterns = [
+            ...compilePatterns(config.include),
+            ...includePrefixes.flatMap(prefix => [globToRegExp(`/${prefix}`), globToRegExp(`/${prefix}/**`)]),
+            ...includeGlobs.map(globToRegExp)
+        ];
+        // robots.txt is site-wide, a run publishing only part of the site would replace it with its own sitemap
+        if (robotsTxt && (target.replace(/^\/+|\/+$/g, '') || includePatterns.length)) {
+            throw new Error('robots-txt can only be enabled for the site-wide sitemap, without target or include filters');
+        }
+
+        console.log(`Using sitemap config ${configName}`);
+        return {
+            excludePatterns: compilePatterns(config.exclude),
+            includePatterns,
+            excludeGlobs: config.exclude?.globs || [],
+            excludeRegexes: config.exclude?.regexes || [],
+            privateSites: config.exclude?.privateSites || [],
+            rules: (config.rules || []).map(rule => ({ ...rule, patterns: compilePatterns(rule) }))
+        };
+    }
+
+    const sitemapConfig = await runStage('load-config', () => loadSitemapConfig());
+
+    // Every url, whatever its source, goes through these rules; the first rule matching the url path drops it
+    const URL_FILTER_RULES = [
+        {
+            // test and tool pages
+            name: 'excluded-pattern',
+            test: pathname => sitemapConfig.excludePatterns.some(pattern => pattern.test(pathname))
+        },
+        {
+            // private/secured sites taken from fastly
+            name: 'private-site',
+            test: pathname => sitemapConfig.privateSites.some(excluded => pathname.startsWith(`/${excluded}/`))
+        },
+        {
+            // error pages
+            name: 'error-page',
+            test: pathname => /404\/?$/.test(pathname)
+        },
+        {
+            // numeric segment longer than 9 digits (for the temp files created)
+            name: 'temp-folder',
+            test: pathname => pathname.split('/').some(segment => /\d{9,}/.test(segment))
+        },
+        {
+            // include patterns are configured and none of them matches
+            name: 'not-included',
+            test: pathname => sitemapConfig.includePatterns.length > 0
+                && !sitemapConfig.includePatterns.some(pattern => pattern.test(pathname))
+        }
+    ];
+
+    // First filter rule dropping the url, undefined when the url is kept
+    function findFilterRule(loc) {
+        const { pathname } = new URL(loc);
+        return URL_FILTER_RULES.find(rule => rule.test(pathname));
+    }
+
+    function filterUrls(urls) {
+        const hits = Object.fromEntries(URL_FILTER_RULES.map(rule => [rule.name, 0]));
+        const filteredUrls = urls.filter(({ loc }) => {
+            const rule = findFilterRule(loc);
+            if (rule) hits[rule.name]++;
+            return !rule;
+        });
+        const hitCounts = Object.entries(hits).map(([name, count]) => `${name}: ${count}`).join(', ');
+        console.log(`Kept ${filteredUrls.length} of ${urls.length} urls after filtering (${hitCounts})`);
+        return filteredUrls;
+    }
+
+    // Build the sitemap into a local folder without any write against the publish account
+    const dryRun = getInput('dry-run') === 'true';
+    const dryRunOutput = path.resolve(getInput('dry-run-output') || 'sitemap-dry-run');
+
+    // Largest allowed drop of the url count against the published sitemap, as a percentage ("20%") or a number of urls
+    const maxUrlDrop = getInput('max-url-drop');
+    const maxUrlDropMatch = /^(\d+(?:\.\d+)?)(%?)$/.exec(maxUrlDrop.trim());
+    if (maxUrlDrop && !maxUrlDropMatch) {
+        throw new Error(`Invalid max-url-drop: ${maxUrlDrop}`);
+    }
+    const forcePublish = getInput('force-publish') === 'true';
 
     // Setup blob service clients for reading and publishing
     const blobServiceClientRead = await BlobServiceClient.fromConnectionString(connectionStringRead);
     const blobServiceClientPublish = await BlobServiceClient.fromConnectionString(connectionStringPublish);
 
-    if (enableStaticWebSite) {
+    if (enableStaticWebSite && !dryRun) {
         var props = await blobServiceClientPublish.getProperties();
 
         props.cors = props.cors || [];
@@ -60,7 +402,10 @@ const main = async () => {
     const containerServiceRead = blobServiceClientRead.getContainerClient(containerName);
     const containerServicePublish = blobServiceClientPublish.getContainerClient(containerName);
     
-    if (!await containerServicePublish.exists()) {
+    if (dryRun) {
+        console.log(`Dry run: skipping all writes to the publish account, output goes to ${dryRunOutput}`);
+    }
+    else if (!await containerServicePublish.exists()) {
         await containerServicePublish.create({ access: accessPolicy });
     }
     else {
@@ -74,51 +419,71 @@ const main = async () => {
         attributeNamePrefix: '_',
     });
 
-    //Exclude these pages since they are testing and tool pages
-    const EXCLUDED_PATTERNS = [
-        /^\/test\//,                  // starts with /test/
-        /^\/franklin_assets\//,       // starts with /franklin_assets/
-        /^\/tools\//,                 // starts with /tools/
-        /\/nav$/,                     // ends with /nav
-        /^\/github-actions-test\//,   // starts with /github-actions-test/
-        /^\/github-actions-test-two\//, // starts with /github-actions-test-two/
-        /^\/dev-docs-reference\//,       // starts with /dev-docs-reference/
-        /\/config\/?$/                // ends with /config/ or /config
-    ];
-
-    function shouldIncludeUrl(url) {
-        return !EXCLUDED_PATTERNS.some(pattern => pattern.test(new URL(url).pathname));
-    }
-
     const siteUrl = deploy_env === "dev"
     ? "https://developer-stage.adobe.com/"
     : "https://developer.adobe.com/";
 
-    async function fetchEDSSitemap() {
-        try {
-            const response = await fetch('https://main--adp-devsite--adobedocs.aem.page/sitemap.xml');
-            if (!response.ok) {
-            throw new Error(`Failed to fetch sitemap: ${response.statusText}`);
-            }
+    // Move a url served from the EDS origin (or the origin of the sitemap listing it) onto siteUrl, keeping its path and query
+    function rewriteEDSOrigin(loc, sitemapOrigin) {
+        const url = new URL(loc);
+        if (url.origin !== new URL(edsOrigin).origin && url.origin !== sitemapOrigin) return loc;
+        return `${siteUrl}${url.pathname.slice(1)}${url.search}`;
+    }
+
+    // fast-xml-parser returns a single child as an object and a missing one as undefined
+    const toArray = value => value === undefined ? [] : [].concat(value);
+
+    // Collect the url entries of a sitemap, following sitemapindex entries recursively
+    async function fetchSitemapUrls(sitemapUrl, visited) {
+        if (visited.has(sitemapUrl)) {
+            console.warn(`Skipping already visited sitemap: ${sitemapUrl}`);
+            return [];
+        }
+        visited.add(sitemapUrl);
+
+        const response = await fetch(sitemapUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch sitemap ${sitemapUrl}: ${response.statusText}`);
+        }
 
-            const xmlText = await response.text();
-            const result = parser.parse(xmlText);
+        const xmlText = await response.text();
+        const result = parser.parse(xmlText);
 
-            // Ensure we have URLs to process
-            if (!result.urlset?.url) {
-            throw new Error('No URLs found in sitemap');
+        if (result.sitemapindex) {
+            const urls = [];
+            for (const { loc } of toArray(result.sitemapindex.sitemap)) {
+                urls.push(...await fetchSitemapUrls(new URL(loc, sitemapUrl).href, visited));
             }
+            return urls;
+        }
 
-            const filteredUrls = result.urlset.url.filter(url => shouldIncludeUrl(url.loc));
+        if (!result.urlset?.url) {
+            console.warn(`No URLs found in sitemap ${sitemapUrl}`);
+        }
+        return toArray(result.urlset?.url);
+    }
 
-            const updatedUrls = filteredUrls.map(url => {
-                return {
-                    ...url,
-                    loc: url.loc.replace("https://main--adp-devsite--adobedocs.aem.page/", siteUrl)
-                };
-            });
+    async function fetchEDSSitemap() {
+        try {
+            const mergedUrls = new Map();
+
+            for (const sitemapSource of edsSitemaps) {
+                const urls = await fetchSitemapUrls(sitemapSource, new Set());
+
+                // Ensure we have URLs to process
+                if (!urls.length) {
+                    throw new Error(`No URLs found in sitemap ${sitemapSource}`);
+                }
 
-            return updatedUrls;
+                for (const url of urls) {
+                    const loc = rewriteEDSOrigin(url.loc, new URL(sitemapSource).origin);
+                    if (!mergedUrls.has(loc)) {
+                        mergedUrls.set(loc, { ...url, loc });
+                    }
+                }
+            }
+
+            return [...mergedUrls.values()];
 
         } catch (error) {
             console.error('Error fetching sitemap:', error);
@@ -126,115 +491,959 @@ const main = async () => {
         }
     }
 
-    // list taken from active sites on Fastly - no need to keep updated becuase they live in different azure blobs
-    const EXCLUDED_PRIVATE_SITES = [
-        "adls-beta", 
-        "avatar-tts-beta",
-        "custom-model-apis",
-        "express-add-ons-beta-docs",
-        "express-api",
-        "firefly-beta",
-        "photoshop-api-beta",
-        "reframev2",
-        "s3dapi",
-        "secured",
-        "taas-api",
-        "ttv-api",
-        "ucm-api",
-        "video-reframe-api-beta",
-        "video-rendering",
-        "test-private",        
-    ];
+    // Blob behind every blob-sourced url, so its content can be read without going through the public site
+    const blobNamesByLoc = new Map();
+    const blobMD5sByLoc = new Map();
 
     // Collect page data from azure blobs
     async function collectBlobPageData(containerServiceRead) {
         const urls = [];
 
-        for await (const blob of containerServiceRead.listBlobsFlat()) {
-            if (!blob.name.endsWith("index.html")) continue;
-            const route = blob.name.slice(0, -"index.html".length);
+        // With include prefixes only the blobs below them need listing
+        const prefixes = includePrefixes.length ? includePrefixes.map(prefix => `${prefix}/`) : [undefined];
 
-            // Skip if route ends with "404/"
-            if (route.endsWith("404/")) continue;
+        for (const prefix of prefixes) {
+            for await (const blob of containerServiceRead.listBlobsFlat({ prefix })) {
+                if (!blob.name.endsWith("index.html")) continue;
+                const route = blob.name.slice(0, -"index.html".length);
+                const fullUrl = `${siteUrl}${route}`;
+                blobNamesByLoc.set(fullUrl, blob.name);
+                if (blob.properties.contentMD5) {
+                    blobMD5sByLoc.set(fullUrl, Buffer.from(blob.properties.contentMD5).toString('base64'));
+                }
+                const rawDate = blob.properties.lastModified;
+                const lastModified = rawDate.toISOString().split('T')[0];
 
-            // Skip if route starts with any excluded path (private/secured sites taken from fastly)
-            if (EXCLUDED_PRIVATE_SITES.some(excluded => route.startsWith(`${excluded}/`))) continue;
+                urls.push({
+                    loc: fullUrl,
+                    lastmod: lastModified
+                });
+            }
+        }
+        return urls;
+    }
 
-            // Skip if route contains a numeric segment longer than 9 digits (for the temp files created)
-            const segments = route.split('/');
-            const hasLongDigitSequence = segments.some(segment => /\d{9,}/.test(segment));
-            if (hasLongDigitSequence) continue;
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-            const fullUrl = `${siteUrl}${route}`;
-            const rawDate = blob.properties.lastModified;
-            const lastModified = rawDate.toISOString().split('T')[0];
+    // Run worker over items with at most `concurrency` calls in flight, results keep the order of items
+    async function mapWithConcurrency(items, concurrency, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+        async function runWorker() {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        }
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+        return results;
+    }
 
-            urls.push({
-                loc: fullUrl,
-                lastmod: lastModified
-            });
+    // Space out request starts so no more than rps begin per second, 0 disables the cap
+    function createRateLimiter(rps) {
+        let nextSlot = 0;
+        return async () => {
+            if (!rps) return;
+            const now = Date.now();
+            const wait = Math.max(0, nextSlot - now);
+            nextSlot = Math.max(now, nextSlot) + 1000 / rps;
+            if (wait) await sleep(wait);
+        };
+    }
+
+    const isTransientStatus = status => status === 429 || status >= 500;
+    const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+    const MAX_REDIRECTS = 10;
+    // Longest wait a Retry-After header may impose before a retry, in ms
+    const MAX_RETRY_AFTER = 60000;
+
+    // Findings of the run worth showing next to the generated sitemap
+    const runReport = {
+        redirects: [],
+        noindex: [],
+        canonicals: [],
+        soft404s: []
+    };
+
+    // Keep one entry per loc: a page listed under its own loc wins over the movedUrls (pages replaced by the loc they point at), otherwise the first occurrence
+    function uniqueByLoc(urls, movedUrls = new Set()) {
+        const ownLocs = new Set(urls.filter(url => !movedUrls.has(url)).map(url => url.loc));
+        const seen = new Set();
+        return urls.filter(url => !(movedUrls.has(url) && ownLocs.has(url.loc)) && !seen.has(url.loc) && seen.add(url.loc));
+    }
+
+    // HEAD (or GET fallback) request retried with exponential backoff (or the server's Retry-After) on network errors, 429s and 5xx
+    async function requestWithRetry(loc, throttle) {
+        for (let attempt = 0; ; attempt++) {
+            let retryAfter = 0;
+            await throttle();
+            try {
+                let response = await fetch(loc, {
+                    method: 'HEAD',
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(healthCheckTimeout)
+                });
+                // Some origins and edge rules reject HEAD, ask for the first byte with a GET instead
+                if (headFallbackStatuses.includes(response.status)) {
+                    response = await fetch(loc, {
+                        method: 'GET',
+                        headers: { Range: 'bytes=0-0' },
+                        redirect: 'manual',
+                        signal: AbortSignal.timeout(healthCheckTimeout)
+                    });
+                    await response.body?.cancel();
+                }
+                if (!isTransientStatus(response.status) || attempt >= healthCheckRetries) {
+                    return response;
+                }
+                retryAfter = Math.min((Number(response.headers.get('retry-after')) || 0) * 1000, MAX_RETRY_AFTER);
+                console.log(`${response.status}: ${loc}, retrying (${attempt + 1}/${healthCheckRetries})`);
+            } catch (err) {
+                if (attempt >= healthCheckRetries) throw err;
+                console.warn(`Error fetching ${loc}: ${err.message}, retrying (${attempt + 1}/${healthCheckRetries})`);
+            }
+            await sleep(Math.max(retryAfter, healthCheckRetryDelay * 2 ** attempt));
         }
-        return urls;
     }
 
-    // HTTP status filter: skip 404s, 301s, and 302s
+    // Request loc and, when followRedirects is set, every Location it redirects to; chain lists the urls visited
+    async function resolveRedirects(loc, throttle) {
+        const chain = [loc];
+        let response = await requestWithRetry(loc, throttle);
+        while (followRedirects && REDIRECT_STATUSES.includes(response.status) && chain.length <= MAX_REDIRECTS) {
+            const location = response.headers.get('location');
+            if (!location) break;
+            const nextLoc = new URL(location, chain[chain.length - 1]).href;
+            if (chain.includes(nextLoc)) break;
+            chain.push(nextLoc);
+            // Off-site targets never make it into the sitemap, there is no need to request them
+            if (new URL(nextLoc).host !== new URL(siteUrl).host) break;
+            response = await requestWithRetry(nextLoc, throttle);
+        }
+        return { response, chain };
+    }
+
+    // Problem that keeps a blob-sourced page out of the sitemap, checked on the blob itself; null when the page is fine
+    async function validateBlobPage(loc) {
+        const blobClient = containerServiceRead.getBlobClient(blobNamesByLoc.get(loc));
+        const { contentLength, contentType } = await blobClient.getProperties();
+        if (contentLength < minPageSize) return `empty page (${contentLength} bytes)`;
+        if (!/html/i.test(contentType || '')) return `not html (${contentType})`;
+
+        const html = (await blobClient.downloadToBuffer()).toString('utf-8');
+        if (findTags(html, 'meta').some(meta => meta['http-equiv']?.toLowerCase() === 'refresh')) return 'meta refresh redirect';
+        const fingerprint = errorPageFingerprints.find(fingerprint => html.includes(fingerprint));
+        if (fingerprint) return `error page fingerprint "${fingerprint}"`;
+        return null;
+    }
+
+    // HTTP status filter: skip 404s (any non-2xx in strict mode) and redirects (or swap a redirect for its final target on siteUrl),
+    // blob-sourced pages are checked on their blob instead in blob validation mode
     async function filter200Urls(urls) {
-        const healthyUrls = [];
-        for (const { loc, lastmod } of urls) {
-            try {
-                const response = await fetch(loc, { method: 'HEAD', redirect: 'manual' });
-                if ([404, 301, 302].includes(response.status)) {
-                    console.log(`${response.status}: ${loc}`);
-                    continue;
+        const throttle = createRateLimiter(healthCheckRps);
+        const failedUrls = [];
+        const redirectedUrls = new Set();
+
+        const results = await mapWithConcurrency(urls, healthCheckConcurrency, async ({ loc, lastmod }) => {
+            if (blobValidation === 'blob' && blobNamesByLoc.has(loc)) {
+                let problem;
+                try {
+                    problem = await validateBlobPage(loc);
+                } catch (err) {
+                    console.warn(`Error reading blob of ${loc}:`, err.message);
+                    failedUrls.push(loc);
+                    return healthCheckFailurePolicy === 'keep' ? { loc, lastmod } : null;
                 }
-                healthyUrls.push({ loc, lastmod });
+                if (problem) console.log(`${problem}: ${loc}`);
+                return problem ? null : { loc, lastmod };
+            }
+
+            let response, chain;
+            try {
+                ({ response, chain } = await resolveRedirects(loc, throttle));
             } catch (err) {
                 console.warn(`Error fetching ${loc}:`, err.message);
-                continue;
+            }
+
+            // Still failing after all retries: the failure policy decides
+            if (!response || isTransientStatus(response.status)) {
+                failedUrls.push(loc);
+                return healthCheckFailurePolicy === 'keep' ? { loc, lastmod } : null;
+            }
+
+            if (chain.length > 1) {
+                const finalLoc = chain[chain.length - 1];
+                const onSite = new URL(finalLoc).host === new URL(siteUrl).host;
+                // The target goes through the same exclusion and include rules as every collected url
+                const rule = onSite && response.ok && findFilterRule(finalLoc);
+                const kept = onSite && response.ok && !rule;
+                runReport.redirects.push({ from: loc, chain, status: response.status, kept });
+                console.log(`${kept ? 'Redirected' : !onSite ? 'Redirected off site' : rule ? `Redirected into ${rule.name}` : `${response.status} after redirect`}: ${chain.join(' -> ')}`);
+                if (!kept) return null;
+                const redirectedUrl = { loc: finalLoc, lastmod };
+                redirectedUrls.add(redirectedUrl);
+                return redirectedUrl;
+            }
+
+            const unhealthy = strictStatusCheck
+                ? !response.ok
+                : response.status === 404 || REDIRECT_STATUSES.includes(response.status);
+            if (unhealthy) {
+                console.log(`${response.status}: ${loc}`);
+                return null;
+            }
+            return { loc, lastmod };
+        });
+
+        if (failedUrls.length) {
+            console.warn(`${failedUrls.length} URLs failed the health check after ${healthCheckRetries} retries (policy: ${healthCheckFailurePolicy})`);
+            if (healthCheckFailurePolicy === 'fail') {
+                throw new Error(`Health check failed for ${failedUrls.length} URLs: ${failedUrls.slice(0, 10).join(', ')}${failedUrls.length > 10 ? ', ...' : ''}`);
             }
         }
-        return healthyUrls;
+
+        // Redirect targets may already be in the list, their own entry keeps its lastmod
+        return uniqueByLoc(results.filter(Boolean), redirectedUrls);
     }
 
-   async function generateAndUploadSitemap(containerServicePublish, urls) {
-        const builder = new XMLBuilder({
-            ignoreAttributes: false,
-            format: true,
-            suppressEmptyNode: true
+    const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+    function decodeHtmlEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+                return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+            }
+            return HTML_ENTITIES[name.toLowerCase()] ?? entity;
         });
-        const sitemapObj = {
-            urlset: {
-                xmlns: "http://www.sitemaps.org/schemas/sitemap/0.9",
-                url: urls
+    }
+
+    // Attributes of an html start tag, names lowercased and values decoded
+    function parseTagAttributes(tag) {
+        const attributes = {};
+        const attributePattern = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        for (const [, name, doubleQuoted, singleQuoted, unquoted] of tag.replace(/^<[^\s>]+/, '').matchAll(attributePattern)) {
+            attributes[name.toLowerCase()] = decodeHtmlEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+        }
+        return attributes;
+    }
+
+    function findTags(html, tagName) {
+        return [...html.matchAll(new RegExp(`<${tagName}\\b[^>]*>`, 'gi'))].map(([tag]) => parseTagAttributes(tag));
+    }
+
+    // Robots directives (meta tags and X-Robots-Tag header) and canonical link of a page
+    function extractPageMetadata(html, robotsHeader) {
+        const robotsMetas = findTags(html, 'meta')
+            .filter(meta => ['robots', 'googlebot'].includes(meta.name?.toLowerCase()))
+            .map(meta => meta.content);
+        const robots = [robotsHeader, ...robotsMetas].filter(Boolean).join(',').toLowerCase();
+        const canonical = findTags(html, 'link')
+            .find(link => link.rel?.toLowerCase().split(/\s+/).includes('canonical'))?.href;
+        const modifiedMeta = findTags(html, 'meta')
+            .find(meta => (meta.property || meta.name)?.toLowerCase() === 'article:modified_time');
+        const modifiedDate = modifiedMeta && new Date(modifiedMeta.content);
+
+        return {
+            noindex: /\b(noindex|none)\b/.test(robots),
+            canonical,
+            modifiedTime: modifiedDate && !isNaN(modifiedDate) ? modifiedDate.toISOString().split('T')[0] : undefined
+        };
+    }
+
+    // image:image entries for the <img> tags of a page hosted on the site (or an extra image host)
+    function extractImages(html, pageLoc) {
+        const imageHosts = [new URL(siteUrl).host, ...extraImageHosts];
+        const images = new Map();
+        for (const img of findTags(html, 'img')) {
+            if (images.size >= maxImagesPerPage) break;
+            const src = img.src || img['data-src'];
+            if (!src || src.startsWith('data:')) continue;
+
+            let imageUrl;
+            try {
+                imageUrl = new URL(src, pageLoc);
+            } catch {
+                continue;
+            }
+            if (!imageHosts.includes(imageUrl.host) || images.has(imageUrl.href)) continue;
+
+            // Google dropped image:caption and the other optional tags, only image:loc is listed
+            images.set(imageUrl.href, { 'image:loc': imageUrl.href });
+        }
+        return [...images.values()];
+    }
+
+    // Embedded players recognized on pages; thumbnail derives the thumbnail of a video from the id captured by pattern,
+    // players without one use the og:image of the page
+    const VIDEO_EMBEDS = [
+        {
+            // YouTube
+            pattern: /^https?:\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/,
+            thumbnail: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+        },
+        {
+            // Adobe video (video.tv.adobe.com)
+            pattern: /^https?:\/\/video\.tv\.adobe\.com\/v\/(\d+)/
+        }
+    ];
+    // Google rejects longer video descriptions
+    const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+
+    // VideoObject nodes anywhere in a JSON-LD document (top-level, arrays, @graph or nested properties)
+    function findVideoObjects(node) {
+        if (Array.isArray(node)) return node.flatMap(findVideoObjects);
+        if (!node || typeof node !== 'object') return [];
+        const types = [].concat(node['@type'] || []);
+        const nested = Object.values(node).flatMap(findVideoObjects);
+        return types.includes('VideoObject') ? [node, ...nested] : nested;
+    }
+
+    // ISO 8601 duration (PT1M30S) in seconds
+    function durationSeconds(duration) {
+        const match = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(duration || '');
+        if (!match) return undefined;
+        const seconds = Math.round((Number(match[1]) || 0) * 3600 + (Number(match[2]) || 0) * 60 + (Number(match[3]) || 0));
+        return seconds > 0 ? seconds : undefined;
+    }
+
+    // video:video entries for the JSON-LD VideoObjects and known player embeds of a page
+    function extractVideos(html, pageLoc) {
+        const metas = findTags(html, 'meta');
+        const metaContent = key => metas.find(meta => (meta.property || meta.name)?.toLowerCase() === key)?.content;
+        const title = pageTitle(html);
+        const description = metaContent('description') || metaContent('og:description') || title;
+        const image = metaContent('og:image');
+
+        const videos = [];
+        const seenPlayers = new Set();
+        const resolve = url => {
+            try {
+                return url && new URL(url, pageLoc).href;
+            } catch {
+                return undefined;
             }
         };
+        const addVideo = video => {
+            const key = video.contentLoc || video.playerLoc;
+            if (!key || !video.thumbnail || !video.title || !video.description) return;
+            if (seenPlayers.has(video.contentLoc) || seenPlayers.has(video.playerLoc)) return;
+            [video.contentLoc, video.playerLoc].filter(Boolean).forEach(loc => seenPlayers.add(loc));
+
+            const entry = {
+                'video:thumbnail_loc': video.thumbnail,
+                'video:title': video.title,
+                'video:description': video.description.slice(0, MAX_VIDEO_DESCRIPTION_LENGTH)
+            };
+            if (video.contentLoc) entry['video:content_loc'] = video.contentLoc;
+            if (video.playerLoc) entry['video:player_loc'] = video.playerLoc;
+            if (video.duration) entry['video:duration'] = video.duration;
+            if (video.publicationDate) entry['video:publication_date'] = video.publicationDate;
+            videos.push(entry);
+        };
+
+        const jsonLdPattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+        for (const [, json] of html.matchAll(jsonLdPattern)) {
+            let data;
+            try {
+                data = JSON.parse(json);
+            } catch {
+                continue;
+            }
+            for (const video of findVideoObjects(data)) {
+                const thumbnail = [].concat(video.thumbnailUrl || video.thumbnail || [])[0];
+                addVideo({
+                    thumbnail: resolve(typeof thumbnail === 'object' ? thumbnail.url : thumbnail),
+                    title: video.name,
+                    description: video.description,
+                    contentLoc: resolve(video.contentUrl),
+                    playerLoc: resolve(video.embedUrl),
+                    duration: durationSeconds(video.duration),
+                    publicationDate: video.uploadDate
+                });
+            }
+        }
+
+        for (const iframe of findTags(html, 'iframe')) {
+            const src = resolve(iframe.src || iframe['data-src']);
+            const embed = src && VIDEO_EMBEDS.find(({ pattern }) => pattern.test(src));
+            if (!embed) continue;
+            const [, id] = embed.pattern.exec(src);
+            addVideo({
+                thumbnail: embed.thumbnail ? embed.thumbnail(id) : resolve(image),
+                title: iframe.title || title,
+                description,
+                playerLoc: src
+            });
+        }
+        return videos;
+    }
+
+    // Html of a page, read from its blob in blob mode when there is one, otherwise over HTTP
+    async function readPage(loc, throttle) {
+        const blobName = blobNamesByLoc.get(loc);
+        if (contentInspection === 'blob' && blobName) {
+            const data = await containerServiceRead.getBlobClient(blobName).downloadToBuffer();
+            return { html: data.toString('utf-8'), robotsHeader: '' };
+        }
+
+        await throttle();
+        const response = await fetch(loc, { signal: AbortSignal.timeout(healthCheckTimeout) });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return { html: await response.text(), robotsHeader: response.headers.get('x-robots-tag') };
+    }
+
+    // Title and hash of the whitespace-normalized body, to recognize copies of the error page
+    function pageTitle(html) {
+        const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+        return title && decodeHtmlEntities(title.replace(/\s+/g, ' ').trim());
+    }
+
+    function pageSignature(html) {
+        const title = pageTitle(html);
+        const body = (/<body[^>]*>([\s\S]*)<\/body>/i.exec(html)?.[1] ?? html).replace(/\s+/g, ' ').trim();
+        return { title, bodyHash: crypto.createHash('sha256').update(body).digest('hex') };
+    }
+
+    // Signature of the static website error document, read from the publish container that serves it; null when it cannot be found
+    async function loadErrorPageSignature() {
+        const blobName = errorFile || '404.html';
+        const blobClient = containerServicePublish.getBlobClient(blobName);
+        if (!await blobClient.exists()) {
+            console.warn(`Error page ${blobName} not found, soft-404 detection only uses error-page-fingerprints`);
+            return null;
+        }
+        return pageSignature((await blobClient.downloadToBuffer()).toString('utf-8'));
+    }
+
+    // Why a page answering 200 is an error page after all; null when it is not
+    function detectSoft404(html, errorPageSignature) {
+        const fingerprint = errorPageFingerprints.find(fingerprint => html.includes(fingerprint));
+        if (fingerprint) return `fingerprint "${fingerprint}"`;
+        if (!errorPageSignature) return null;
+
+        const { title, bodyHash } = pageSignature(html);
+        if (bodyHash === errorPageSignature.bodyHash) return 'same body as the error page';
+        if (title && title === errorPageSignature.title) return `same title as the error page "${title}"`;
+        return null;
+    }
+
+    // Drop noindex pages and soft 404s, replace pages by their canonical url when it points elsewhere on siteUrl,
+    // with the meta lastmod strategy take lastmod from the article:modified_time meta tag and collect images and videos
+    // for the image and video sitemaps
+    async function inspectPageContent(urls) {
+        const throttle = createRateLimiter(healthCheckRps);
+        const errorPageSignature = soft404Detection ? await loadErrorPageSignature() : null;
+        const canonicalUrls = new Set();
+
+        const results = await mapWithConcurrency(urls, healthCheckConcurrency, async url => {
+            let page;
+            try {
+                page = await readPage(url.loc, throttle);
+            } catch (err) {
+                console.warn(`Could not inspect ${url.loc}:`, err.message);
+                return url;
+            }
 
-        const sitemapXml = builder.build(sitemapObj);
-        const sitemapBuffer = Buffer.from(sitemapXml, 'utf-8');
+            const soft404 = soft404Detection && detectSoft404(page.html, errorPageSignature);
+            if (soft404) {
+                console.log(`Soft 404 (${soft404}): ${url.loc}`);
+                runReport.soft404s.push(url.loc);
+                return null;
+            }
+            const { noindex, canonical, modifiedTime } = extractPageMetadata(page.html, page.robotsHeader);
+            let inspectedUrl = lastmodStrategy === 'meta' && modifiedTime ? { ...url, lastmod: modifiedTime } : url;
+            if (imageSitemap) {
+                const images = extractImages(page.html, url.loc);
+                if (images.length) inspectedUrl = { ...inspectedUrl, 'image:image': images };
+            }
+            if (videoSitemap) {
+                const videos = extractVideos(page.html, url.loc);
+                if (videos.length) inspectedUrl = { ...inspectedUrl, 'video:video': videos };
+            }
+            if (contentInspection === 'off') return inspectedUrl;
+
+            if (noindex) {
+                console.log(`noindex: ${url.loc}`);
+                runReport.noindex.push(url.loc);
+                return null;
+            }
+
+            let canonicalLoc;
+            try {
+                canonicalLoc = canonical && new URL(canonical, url.loc).href;
+            } catch {
+                console.warn(`Ignoring malformed canonical of ${url.loc}: ${canonical}`);
+            }
+            if (!canonicalLoc || canonicalLoc === url.loc) return inspectedUrl;
+
+            const onSite = new URL(canonicalLoc).host === new URL(siteUrl).host;
+            // The canonical url goes through the same exclusion and include rules as every collected url
+            const rule = onSite && findFilterRule(canonicalLoc);
+            const kept = onSite && !rule;
+            console.log(`Canonical${kept ? '' : rule ? ` in ${rule.name}, dropped` : ' off site, dropped'}: ${url.loc} -> ${canonicalLoc}`);
+            runReport.canonicals.push({ from: url.loc, to: canonicalLoc, kept });
+            if (!kept) return null;
+            const canonicalUrl = { ...inspectedUrl, loc: canonicalLoc };
+            canonicalUrls.add(canonicalUrl);
+            return canonicalUrl;
+        });
+
+        // Canonical urls may already be in the list, their own entry keeps its lastmod, images and videos
+        return uniqueByLoc(results.filter(Boolean), canonicalUrls);
+    }
+
+    // sitemaps.org protocol limits for a single sitemap file
+    const MAX_URLS_PER_SITEMAP = 50000;
+    const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+    const SITEMAP_NAMESPACE = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+    const sitemapBuilder = new XMLBuilder({
+        ignoreAttributes: false,
+        format: true,
+        suppressEmptyNode: true
+    });
+
+    // Namespace prefix and uri of the sitemap extension elements a url entry can carry
+    const SITEMAP_EXTENSION_NAMESPACES = {
+        'xhtml:link': ['xhtml', 'http://www.w3.org/1999/xhtml'],
+        'image:image': ['image', 'http://www.google.com/schemas/sitemap-image/1.1'],
+        'video:video': ['video', 'http://www.google.com/schemas/sitemap-video/1.1']
+    };
+
+    function buildUrlsetXml(urls) {
+        const urlset = { "@_xmlns": SITEMAP_NAMESPACE };
+        for (const [element, [prefix, namespace]] of Object.entries(SITEMAP_EXTENSION_NAMESPACES)) {
+            if (urls.some(url => url[element])) urlset[`@_xmlns:${prefix}`] = namespace;
+        }
+        urlset.url = urls;
+        return sitemapBuilder.build({ urlset });
+    }
+
+    function buildSitemapIndexXml(sitemaps) {
+        return sitemapBuilder.build({
+            sitemapindex: {
+                "@_xmlns": SITEMAP_NAMESPACE,
+                sitemap: sitemaps
+            }
+        });
+    }
+
+    // Split urls into chunks that each stay within the protocol URL count and file size limits
+    function splitIntoShards(urls) {
+        const pending = [];
+        for (let i = 0; i < urls.length; i += MAX_URLS_PER_SITEMAP) {
+            pending.push(urls.slice(i, i + MAX_URLS_PER_SITEMAP));
+        }
+
+        const shards = [];
+        while (pending.length) {
+            const shardUrls = pending.shift();
+            const xml = buildUrlsetXml(shardUrls);
+            if (Buffer.byteLength(xml, 'utf-8') > MAX_SITEMAP_BYTES && shardUrls.length > 1) {
+                const middle = Math.ceil(shardUrls.length / 2);
+                pending.unshift(shardUrls.slice(0, middle), shardUrls.slice(middle));
+                continue;
+            }
+            shards.push({ urls: shardUrls, xml });
+        }
+        return shards;
+    }
+
+    // Most recent lastmod of a shard, used as the lastmod of its sitemapindex entry
+    function latestLastmod(urls) {
+        const dates = urls.map(url => url.lastmod).filter(Boolean).map(String).sort();
+        return dates.length ? dates[dates.length - 1] : new Date().toISOString().split('T')[0];
+    }
+
+    function targetBlobName(fileName) {
         const normalizedTarget = target === '/' ? '' : target.replace(/^\/+|\/+$/g, '');
-        const blobName = normalizedTarget ? `${normalizedTarget}/sitemap.xml` : 'sitemap.xml';
+        return normalizedTarget ? `${normalizedTarget}/${fileName}` : fileName;
+    }
 
+    // Upload a blob to the publish container, or write it below dryRunOutput in a dry run; returns where it went
+    async function uploadBlob(containerServicePublish, blobName, data, headers) {
+        if (dryRun) {
+            const filePath = path.join(dryRunOutput, blobName);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+            return filePath;
+        }
         const blobClient = containerServicePublish.getBlockBlobClient(blobName);
-        await blobClient.uploadData(sitemapBuffer, {
-            blobHTTPHeaders: { blobContentType: "application/xml" }
+        await blobClient.uploadData(data, { blobHTTPHeaders: headers });
+        return blobClient.url;
+    }
+
+    // Upload the plain and/or gzipped variant of a sitemap file, returns the variant other sitemaps should reference
+    async function uploadSitemapFile(containerServicePublish, fileName, xml) {
+        const data = Buffer.from(xml, 'utf-8');
+        const variants = [];
+        if (sitemapCompression !== 'gzip') {
+            variants.push({
+                blobName: targetBlobName(fileName),
+                data,
+                headers: { blobContentType: "application/xml" }
+            });
+        }
+        if (sitemapCompression !== 'none') {
+            variants.push({
+                blobName: targetBlobName(`${fileName}.gz`),
+                data: zlib.gzipSync(data),
+                headers: { blobContentType: "application/xml", blobContentEncoding: "gzip" }
+            });
+        }
+
+        let uploaded;
+        for (const { blobName, data, headers } of variants) {
+            const url = await uploadBlob(containerServicePublish, blobName, data, headers);
+            uploaded = { blobName, url };
+        }
+        return uploaded;
+    }
+
+    // Group urls by their first path segment (the product folder), pages at the site root go to "root"
+    function groupUrlsByProduct(urls) {
+        const groups = new Map();
+        for (const url of urls) {
+            const [segment] = new URL(url.loc).pathname.split('/').filter(Boolean);
+            const product = (segment || 'root').toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+            if (!groups.has(product)) groups.set(product, []);
+            groups.get(product).push(url);
+        }
+        return new Map([...groups].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    // Sitemap entry of a url with the priority and changefreq of the first config rule matching its path,
+    // path depth and lastmod age
+    function applySitemapRules(url) {
+        const { pathname } = new URL(url.loc);
+        const depth = pathname.split('/').filter(Boolean).length;
+        const lastmodDate = url.lastmod ? new Date(url.lastmod) : null;
+        const ageDays = lastmodDate && !isNaN(lastmodDate) ? (Date.now() - lastmodDate) / (24 * 60 * 60 * 1000) : undefined;
+
+        const rule = sitemapConfig.rules.find(rule =>
+            (!rule.patterns.length || rule.patterns.some(pattern => pattern.test(pathname)))
+            && (rule.minDepth === undefined || depth >= rule.minDepth)
+            && (rule.maxDepth === undefined || depth <= rule.maxDepth)
+            && (rule.minAgeDays === undefined || (ageDays !== undefined && ageDays >= rule.minAgeDays))
+            && (rule.maxAgeDays === undefined || (ageDays !== undefined && ageDays <= rule.maxAgeDays)));
+
+        const entry = { loc: url.loc };
+        if (url.lastmod) entry.lastmod = url.lastmod;
+        if (rule?.changefreq) entry.changefreq = rule.changefreq;
+        if (rule?.priority !== undefined) entry.priority = String(rule.priority);
+        for (const element of Object.keys(SITEMAP_EXTENSION_NAMESPACES)) {
+            if (url[element]) entry[element] = url[element];
+        }
+        return entry;
+    }
+
+    // Locale of a url (its first path segment matching the locale pattern, or the default locale) and its path without it
+    function splitLocale(loc) {
+        const { pathname } = new URL(loc);
+        const segments = pathname.split('/');
+        const index = segments.findIndex(segment => segment && hreflangLocalePattern.test(segment));
+        if (index === -1) return { locale: hreflangDefaultLocale, route: pathname };
+        return { locale: segments[index], route: [...segments.slice(0, index), ...segments.slice(index + 1)].join('/') };
+    }
+
+    // Link every locale variant of a route to all the others (and itself) with xhtml:link alternates
+    function addHreflangAlternates(urls) {
+        const variantsByRoute = new Map();
+        for (const url of urls) {
+            const { locale, route } = splitLocale(url.loc);
+            if (!variantsByRoute.has(route)) variantsByRoute.set(route, new Map());
+            const variants = variantsByRoute.get(route);
+            if (!variants.has(locale)) variants.set(locale, url.loc);
+        }
+
+        return urls.map(url => {
+            const variants = variantsByRoute.get(splitLocale(url.loc).route);
+            if (variants.size < 2) return url;
+
+            const alternates = [...variants].map(([locale, href]) => ({ "@_rel": "alternate", "@_hreflang": locale, "@_href": href }));
+            if (variants.has(hreflangDefaultLocale)) {
+                alternates.push({ "@_rel": "alternate", "@_hreflang": "x-default", "@_href": variants.get(hreflangDefaultLocale) });
+            }
+            return { ...url, 'xhtml:link': alternates };
+        });
+    }
+
+    async function generateAndUploadSitemap(containerServicePublish, healthyUrls) {
+        let urls = healthyUrls.map(applySitemapRules);
+        if (hreflangLocalePattern) {
+            urls = addHreflangAlternates(urls);
+        }
+        const groups = groupByProduct ? groupUrlsByProduct(urls) : new Map([['', urls]]);
+
+        const files = [];
+        for (const [product, groupUrls] of groups) {
+            const baseName = product ? `sitemap-${product}` : 'sitemap';
+            const shards = splitIntoShards(groupUrls);
+            shards.forEach((shard, i) => files.push({
+                fileName: shards.length > 1 ? `${baseName}-${i + 1}.xml` : `${baseName}.xml`,
+                ...shard
+            }));
+        }
+
+        if (!groupByProduct && files.length <= 1) {
+            const sitemapXml = files.length ? files[0].xml : buildUrlsetXml(urls);
+            const { blobName, url } = await uploadSitemapFile(containerServicePublish, 'sitemap.xml', sitemapXml);
+            console.log(`Success! Uploaded sitemap with ${urls.length} entries to: ${url}`);
+            return [`${siteUrl}${blobName}`];
+        }
+
+        // Upload every shard and a sitemapindex listing them
+        const indexEntries = [];
+        for (const file of files) {
+            const { blobName, url } = await uploadSitemapFile(containerServicePublish, file.fileName, file.xml);
+            console.log(`Uploaded sitemap shard with ${file.urls.length} entries to: ${url}`);
+            indexEntries.push({
+                loc: `${siteUrl}${blobName}`,
+                lastmod: latestLastmod(file.urls)
+            });
+        }
+
+        const { blobName: indexBlobName, url: indexUrl } = await uploadSitemapFile(containerServicePublish, 'sitemap.xml', buildSitemapIndexXml(indexEntries));
+        console.log(`Success! Uploaded sitemap index with ${files.length} sitemaps (${urls.length} entries) to: ${indexUrl}`);
+        return [`${siteUrl}${indexBlobName}`];
+    }
+
+    // robots.txt path pattern for an exclude glob; robots.txt has no single segment wildcard, so * and ? widen to any characters
+    function globToRobotsPath(glob) {
+        if (glob.includes('$')) return null;
+        const prefixGlob = glob.endsWith('/**');
+        const body = (prefixGlob ? glob.slice(0, -2) : glob).replace(/\*\*|\*|\?/g, '*');
+        const robotsPath = body.startsWith('/') ? body : `/${body}`;
+        return prefixGlob ? robotsPath : `${robotsPath}$`;
+    }
+
+    // Stage is kept out of search engines entirely, prod disallows the exclude globs of the sitemap config and points at the sitemaps
+    function buildRobotsTxt(sitemapUrls) {
+        if (deploy_env === "dev") {
+            return 'User-agent: *\nDisallow: /\n';
+        }
+
+        if (sitemapConfig.excludeRegexes.length) {
+            console.log(`Skipping ${sitemapConfig.excludeRegexes.length} exclude regexes in robots.txt, they have no robots.txt equivalent`);
+        }
+        // Private sites are left out, listing them would publish their names and they are not served from this account anyway
+        const disallowed = new Set(sitemapConfig.excludeGlobs.map(globToRobotsPath).filter(Boolean));
+        return [
+            'User-agent: *',
+            ...[...disallowed].map(robotsPath => `Disallow: ${robotsPath}`),
+            '',
+            ...sitemapUrls.map(sitemapUrl => `Sitemap: ${sitemapUrl}`),
+            ''
+        ].join('\n');
+    }
+
+    // Crawlers only read robots.txt at the root of the host, so it ignores target
+    async function uploadRobotsTxt(containerServicePublish, sitemapUrls) {
+        const url = await uploadBlob(containerServicePublish, 'robots.txt', Buffer.from(buildRobotsTxt(sitemapUrls), 'utf-8'), { blobContentType: "text/plain" });
+        console.log(`Uploaded robots.txt for ${deploy_env} to: ${url}`);
+    }
+
+    // Read a blob of the publish container, gunzipping it when needed; null when it does not exist
+    async function downloadPublishedBlob(containerServicePublish, blobName) {
+        const blobClient = containerServicePublish.getBlobClient(blobName);
+        if (!await blobClient.exists()) return null;
+        const data = await blobClient.downloadToBuffer();
+        return data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data;
+    }
+
+    // Urls of the currently published sitemap (following its sitemapindex) as a Map of loc to lastmod, null when nothing is published yet
+    async function fetchPublishedSitemap(containerServicePublish) {
+        // Read the variant this run writes first, a leftover of another sitemap-compression setting is never updated
+        const fileNames = sitemapCompression === 'gzip' ? ['sitemap.xml.gz', 'sitemap.xml'] : ['sitemap.xml', 'sitemap.xml.gz'];
+        const sitemapData = await downloadPublishedBlob(containerServicePublish, targetBlobName(fileNames[0]))
+            || await downloadPublishedBlob(containerServicePublish, targetBlobName(fileNames[1]));
+        if (!sitemapData) return null;
+
+        const publishedUrls = new Map();
+        const result = parser.parse(sitemapData.toString('utf-8'));
+        const urlsets = [result.urlset];
+
+        for (const { loc } of toArray(result.sitemapindex?.sitemap)) {
+            if (!loc.startsWith(siteUrl)) continue;
+            const shardData = await downloadPublishedBlob(containerServicePublish, loc.slice(siteUrl.length));
+            if (shardData) urlsets.push(parser.parse(shardData.toString('utf-8')).urlset);
+        }
+
+        for (const url of urlsets.flatMap(urlset => toArray(urlset?.url))) {
+            publishedUrls.set(url.loc, url.lastmod);
+        }
+        return publishedUrls;
+    }
+
+    // Added, removed and lastmod-changed urls of the new sitemap compared to the published one
+    function diffSitemaps(publishedUrls, urls) {
+        const previous = publishedUrls || new Map();
+        const current = new Map(urls.map(url => [url.loc, url.lastmod]));
+        return {
+            added: [...current.keys()].filter(loc => !previous.has(loc)),
+            removed: [...previous.keys()].filter(loc => !current.has(loc)),
+            changed: [...current].filter(([loc, lastmod]) => previous.has(loc) && String(previous.get(loc)) !== String(lastmod))
+                .map(([loc]) => loc)
+        };
+    }
+
+    // Job summaries and outputs have size limits, long url lists are cut
+    const MAX_REPORTED_URLS = 1000;
+
+    function markdownUrlList(title, urls) {
+        if (!urls.length) return '';
+        const listed = urls.slice(0, MAX_REPORTED_URLS).map(url => `- ${url}`).join('\n');
+        const more = urls.length > MAX_REPORTED_URLS ? `\n- ... and ${urls.length - MAX_REPORTED_URLS} more` : '';
+        return `<details><summary>${title} (${urls.length})</summary>\n\n${listed}${more}\n\n</details>\n\n`;
+    }
+
+    // Publish the sitemap diff as action outputs and, when running in GitHub Actions, as the job summary
+    async function reportSitemapDiff(diff, publishedUrls) {
+        console.log(`Sitemap diff: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} lastmod changed`);
+
+        setOutput('urls-added', diff.added.length);
+        setOutput('urls-removed', diff.removed.length);
+        setOutput('urls-changed', diff.changed.length);
+        setOutput('sitemap-diff', JSON.stringify({
+            added: diff.added.slice(0, MAX_REPORTED_URLS),
+            removed: diff.removed.slice(0, MAX_REPORTED_URLS),
+            changed: diff.changed.slice(0, MAX_REPORTED_URLS)
+        }));
+
+        if (!process.env.GITHUB_STEP_SUMMARY) return;
+
+        await summary
+            .addHeading(`Sitemap changes${dryRun ? ' (dry run)' : ''}`, 2)
+            .addRaw(publishedUrls ? `Compared against the ${publishedUrls.size} urls currently published.` : 'No sitemap is published yet.', true)
+            .addTable([
+                [{ data: 'Added', header: true }, { data: 'Removed', header: true }, { data: 'lastmod changed', header: true }],
+                [String(diff.added.length), String(diff.removed.length), String(diff.changed.length)]
+            ])
+            .addRaw(markdownUrlList('Added', diff.added))
+            .addRaw(markdownUrlList('Removed', diff.removed))
+            .addRaw(markdownUrlList('lastmod changed', diff.changed))
+            .addRaw(markdownUrlList('Redirects', runReport.redirects.map(({ chain, kept }) => `${chain.join(' -> ')}${kept ? '' : ' (dropped)'}`)))
+            .addRaw(markdownUrlList('noindex', runReport.noindex))
+            .addRaw(markdownUrlList('Soft 404s', runReport.soft404s))
+            .addRaw(markdownUrlList('Canonicals', runReport.canonicals.map(({ from, to, kept }) => `${from} -> ${to}${kept ? '' : ' (dropped)'}`)))
+            .write();
+    }
+
+    // Refuse to publish when the url count dropped by more than max-url-drop compared to the published sitemap
+    function checkUrlCountDrop(publishedUrls, urls) {
+        if (!maxUrlDropMatch || !publishedUrls?.size) return;
+
+        const [, amount, percent] = maxUrlDropMatch;
+        const allowedDrop = percent ? publishedUrls.size * Number(amount) / 100 : Number(amount);
+        const drop = publishedUrls.size - urls.length;
+        if (drop <= allowedDrop) return;
+
+        const message = `URL count dropped from ${publishedUrls.size} to ${urls.length} (max-url-drop: ${maxUrlDrop})`;
+        if (forcePublish) {
+            console.warn(`${message}, publishing anyway because force-publish is set`);
+            return;
+        }
+        throw new Error(`${message}, refusing to publish. Set force-publish to override.`);
+    }
+
+    // Keep the lastmod of blob-sourced pages whose content hash did not change since the previous run,
+    // returns the urls and the new state to save once the sitemap is published
+    async function applyContentHashLastmod(urls) {
+        const stateData = await downloadPublishedBlob(containerServicePublish, targetBlobName(lastmodStateFile));
+        let previousState = null;
+        if (!stateData) {
+            console.log(`No lastmod state ${lastmodStateFile} published yet, using blob timestamps`);
+        } else {
+            try {
+                previousState = JSON.parse(stateData.toString('utf-8'));
+            } catch (err) {
+                console.warn(`Lastmod state ${lastmodStateFile} is not valid JSON (${err.message}), using blob timestamps`);
+            }
+        }
+        const previousPages = previousState?.version === LASTMOD_STATE_VERSION ? previousState.pages : {};
+
+        const pages = {};
+        const results = await mapWithConcurrency(urls, healthCheckConcurrency, async url => {
+            const blobName = blobNamesByLoc.get(url.loc);
+            if (!blobName) return url;
+
+            let hash = blobMD5sByLoc.get(url.loc);
+            if (!hash) {
+                const data = await containerServiceRead.getBlobClient(blobName).downloadToBuffer();
+                hash = crypto.createHash('md5').update(data).digest('base64');
+            }
+
+            const previous = previousPages[url.loc];
+            const lastmod = previous?.hash === hash ? previous.lastmod : url.lastmod;
+            pages[url.loc] = { hash, lastmod };
+            return { ...url, lastmod };
         });
-        console.log(`Success! Uploaded sitemap with ${urls.length} entries to: ${blobClient.url}`);
+
+        return { urls: results, state: { version: LASTMOD_STATE_VERSION, pages } };
+    }
+
+    async function saveLastmodState(containerServicePublish, state) {
+        const data = Buffer.from(JSON.stringify(state), 'utf-8');
+        const url = await uploadBlob(containerServicePublish, targetBlobName(lastmodStateFile), data, { blobContentType: "application/json" });
+        console.log(`Saved lastmod state of ${Object.keys(state.pages).length} pages to: ${url}`);
+    }
+
+    // Run one stage of the workflow, wrapping whatever it throws in a SitemapStageError for that stage
+    async function runStage(stage, task) {
+        try {
+            return await task();
+        } catch (err) {
+            throw err instanceof SitemapStageError ? err : new SitemapStageError(stage, err);
+        }
     }
 
     async function runSitemapWorkflow() {
-        const edsUrls = await fetchEDSSitemap();
-        const blobUrls = await collectBlobPageData(containerServiceRead);
-        const allUrlsNoCheck = [...edsUrls, ...blobUrls];
-        const allHealthyUrls = await filter200Urls(allUrlsNoCheck);
-        await generateAndUploadSitemap(containerServicePublish, allHealthyUrls);
+        const edsUrls = await runStage('fetch-eds-sitemap', () => fetchEDSSitemap());
+        const blobUrls = await runStage('collect-blob-pages', () => collectBlobPageData(containerServiceRead));
+        const allUrlsNoCheck = await runStage('filter-urls', () => filterUrls([...edsUrls, ...blobUrls]));
+        let allHealthyUrls = await runStage('health-check', () => filter200Urls(allUrlsNoCheck));
+        if (contentInspection !== 'off' || soft404Detection || lastmodStrategy === 'meta' || imageSitemap || videoSitemap) {
+            allHealthyUrls = await runStage('inspect-content', () => inspectPageContent(allHealthyUrls));
+        }
+
+        let lastmodState;
+        if (lastmodStrategy === 'content-hash') {
+            ({ urls: allHealthyUrls, state: lastmodState } = await runStage('lastmod', () => applyContentHashLastmod(allHealthyUrls)));
+        }
+
+        const publishedUrls = await runStage('compare-published', async () => {
+            const published = await fetchPublishedSitemap(containerServicePublish);
+            await reportSitemapDiff(diffSitemaps(published, allHealthyUrls), published);
+            return published;
+        });
+        await runStage('url-count-guard', () => checkUrlCountDrop(publishedUrls, allHealthyUrls));
+
+        const sitemapUrls = await runStage('upload-sitemap', () => generateAndUploadSitemap(containerServicePublish, allHealthyUrls));
+        if (robotsTxt) {
+            await runStage('upload-sitemap', () => uploadRobotsTxt(containerServicePublish, sitemapUrls));
+        }
+        if (lastmodState) {
+            await runStage('upload-sitemap', () => saveLastmodState(containerServicePublish, lastmodState));
+        }
+
+        if (dryRun) {
+            console.log(`Dry run summary: ${edsUrls.length} EDS urls and ${blobUrls.length} blob urls collected, ${allHealthyUrls.length} healthy urls written to ${dryRunOutput}`);
+        }
     }
 
-    runSitemapWorkflow();
+    await runSitemapWorkflow();
 };
 
 main().catch(err => {
     console.error(err);
     console.error(err.stack);
+    if (err instanceof SitemapStageError) {
+        setFailed(err.message);
+        process.exit(err.exitCode);
+    }
     setFailed(err);
     process.exit(-1);
 })